@@ -0,0 +1,198 @@
+//Dependencies
+var _       = require('underscore'),
+    formats = require('./formats'),
+    utils   = require('./utils');
+
+
+/**
+ * Comparison modes, see compare()
+ */
+var modes = exports.modes = ['exact', 'subset', 'ignoreFields'];
+
+
+/**
+ * Compares the documents in a collection with the documents that fixtures expect it to have. The order of
+ * the documents doesn't matter.
+ *
+ * Expected documents are matched to documents in the collection on their key fields (default: _id). Expected
+ * documents without values for the key fields are matched to a document that has the same values.
+ *
+ * @param {Array} expected                Expected documents
+ * @param {Array} actual                  Documents in the collection
+ * @param {Object} [options]
+ * @param {String} [options.mode]         'exact' (default): The collection has just the expected documents,
+ *                                            with the same fields.
+ *                                        'subset': Each expected document is in the collection with at least the
+ *                                            fields given. Other documents and fields are allowed.
+ *                                        'ignoreFields': As 'exact', but without comparing the fields in
+ *                                            ignoreFields, which default to ['_id'] in this mode.
+ * @param {Array} [options.ignoreFields]  Fields not to compare, e.g. ['_id', 'meta.updatedAt']
+ * @param {Array} [options.keys]          Fields to match documents on. Default: ['_id']
+ * @return {Object}                       { ok, missing: [docs], extra: [docs], changed: [{ expected, actual, fields }] }
+ * @throws {Error}                        If the mode is unknown
+ */
+exports.compare = function(expected, actual, options) {
+  options = options || {};
+
+  var mode = options.mode || 'exact';
+
+  if (!_.contains(modes, mode)) throw new Error('Unknown verify mode "' + mode + '"');
+
+  var ignoreFields = [].concat(options.ignoreFields || (mode == 'ignoreFields' ? '_id' : [])),
+      keys = _.difference([].concat(options.keys || '_id'), ignoreFields),
+      subset = (mode == 'subset'),
+      unmatched = _.range(actual.length),
+      result = { missing: [], extra: [], changed: [] };
+
+  //Compare Extended JSON, so that e.g. ObjectIDs with the same value are equal
+  var prepare = function(doc) {
+    return _omitFields(formats.toExtendedJSON(doc), ignoreFields);
+  };
+
+  var expectedDocs = _.map(expected, prepare),
+      actualDocs = _.map(actual, prepare);
+
+  var hasKeys = function(doc) {
+    return keys.length && _.every(keys, function(key) {
+      return typeof utils.getPath(doc, key) != 'undefined';
+    });
+  };
+
+  var match = function(index, isMatch) {
+    var found = _.find(unmatched, function(actualIndex) {
+      return isMatch(expectedDocs[index], actualDocs[actualIndex]);
+    });
+
+    if (typeof found == 'undefined') {
+      result.missing.push(expected[index]);
+      return;
+    }
+
+    unmatched = _.without(unmatched, found);
+
+    var fields = _differentFields(expectedDocs[index], actualDocs[found], subset, '');
+
+    if (fields.length) result.changed.push({ expected: expected[index], actual: actual[found], fields: fields });
+  };
+
+  var indexes = _.partition(_.range(expected.length), function(index) {
+    return hasKeys(expectedDocs[index]);
+  });
+
+  //Documents with keys first, so that they aren't matched to others by their values
+  indexes[0].forEach(function(index) {
+    match(index, function(expectedDoc, actualDoc) {
+      return _.every(keys, function(key) {
+        return _.isEqual(utils.getPath(expectedDoc, key), utils.getPath(actualDoc, key));
+      });
+    });
+  });
+
+  indexes[1].forEach(function(index) {
+    match(index, function(expectedDoc, actualDoc) {
+      return !_differentFields(expectedDoc, actualDoc, subset, '').length;
+    });
+  });
+
+  if (!subset) {
+    result.extra = _.map(unmatched, function(index) {
+      return actual[index];
+    });
+  }
+
+  result.ok = !result.missing.length && !result.extra.length && !result.changed.length;
+
+  return result;
+};
+
+
+/**
+ * Formats the results of comparing several collections as readable text
+ *
+ * @param {Object} results      Results from compare(), keyed by collection name
+ * @return {String}
+ */
+exports.format = function(results) {
+  var lines = [];
+
+  _.each(results, function(result, collectionName) {
+    if (result.ok) return lines.push(collectionName + ': OK');
+
+    lines.push(collectionName + ': ' + result.missing.length + ' missing, ' + result.extra.length + ' extra, '
+      + result.changed.length + ' changed');
+
+    result.missing.forEach(function(doc) {
+      lines.push('  - missing: ' + _stringify(doc));
+    });
+
+    result.extra.forEach(function(doc) {
+      lines.push('  - extra: ' + _stringify(doc));
+    });
+
+    result.changed.forEach(function(change) {
+      lines.push('  - changed (' + change.fields.join(', ') + '):');
+      lines.push('      expected: ' + _stringify(change.expected));
+      lines.push('      actual:   ' + _stringify(change.actual));
+    });
+  });
+
+  return lines.join('\n');
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Finds the fields that differ between two documents, comparing embedded objects field by field
+ *
+ * @param {Object} expected
+ * @param {Object} actual
+ * @param {Boolean} subset    Only compare the fields of the expected document
+ * @param {String} prefix     Path of the documents, if they are embedded, e.g. 'address.'
+ * @return {Array}            Field paths, e.g. ['name', 'address.city']
+ * @api private
+ */
+var _differentFields = function(expected, actual, subset, prefix) {
+  var fields = subset ? _.keys(expected) : _.union(_.keys(expected), _.keys(actual));
+
+  return _.flatten(_.map(fields, function(field) {
+    var expectedValue = expected[field],
+        actualValue = actual[field];
+
+    if (utils.isPlainObject(expectedValue) && utils.isPlainObject(actualValue)) {
+      return _differentFields(expectedValue, actualValue, subset, prefix + field + '.');
+    }
+
+    return _.isEqual(expectedValue, actualValue) ? [] : [prefix + field];
+  }), true);
+};
+
+/**
+ * Removes fields from a document, in place
+ *
+ * @param {Object} doc
+ * @param {Array} fields      Field paths, e.g. ['_id', 'meta.updatedAt']
+ * @return {Object}           The document
+ * @api private
+ */
+var _omitFields = function(doc, fields) {
+  fields.forEach(function(field) {
+    var parts = field.split('.'),
+        parent = (parts.length > 1) ? utils.getPath(doc, parts.slice(0, -1).join('.')) : doc;
+
+    if (utils.isPlainObject(parent)) delete parent[_.last(parts)];
+  });
+
+  return doc;
+};
+
+/**
+ * Formats a document on one line, as Extended JSON
+ *
+ * @param {Object} doc
+ * @return {String}
+ * @api private
+ */
+var _stringify = function(doc) {
+  return JSON.stringify(formats.toExtendedJSON(doc));
+};
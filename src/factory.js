@@ -0,0 +1,242 @@
+//Dependencies
+var mongo    = require('mongodb'),
+    ObjectID = mongo.ObjectId,
+    _        = require('underscore'),
+    utils    = require('./utils');
+
+
+/**
+ * Factory constructor. Builds documents for a collection from a base document.
+ *
+ * String values in the base document, traits and overrides can contain '{n}', which is replaced with the
+ * sequence number of the document being built. Function values are called with (n, random) and their
+ * result is used, where random is the factory's seeded random number generator.
+ *
+ * @param {String} collectionName     Collection the documents are for
+ * @param {Object} base               The base document
+ * @param {Object} [options]
+ * @param {Number} [options.seed]     Seed for the random number generator. Default: based on the collection name
+ * @param {Number} [options.startAt]  First sequence number. Default: 1
+ * @param {Number} [options.count]    Number of documents to build when the factory is used as fixture data. Default: 1
+ * @param {Object} [options.traits]   Named sets of overrides, see trait()
+ */
+var Factory = module.exports = function(collectionName, base, options) {
+  options = _.extend({
+    seed: _hash(collectionName),
+    startAt: 1,
+    count: 1,
+    traits: {}
+  }, options);
+
+  this.collectionName = collectionName;
+  this.base = base || {};
+  this.options = options;
+  this.traits = _.clone(options.traits);
+
+  this.reset();
+};
+
+
+/**
+ * Defines a trait: a named set of overrides that can be applied when building
+ *
+ * @param {String} name
+ * @param {Object} overrides
+ * @return {Factory}          The factory, for chaining
+ */
+Factory.prototype.trait = function(name, overrides) {
+  this.traits[name] = overrides;
+
+  return this;
+};
+
+
+/**
+ * Builds documents
+ *
+ * @param {Number} [count]            Number of documents to build. Default: 1
+ * @param {String|Array} [traits]     Name(s) of traits to apply, in order
+ * @param {Object} [overrides]        Values to override those from the base document and traits
+ * @return {Array}
+ */
+Factory.prototype.build = function(count, traits, overrides) {
+  //Normalise arguments
+  if (!_.isNumber(count)) { //traits, overrides
+    overrides = traits;
+    traits = count;
+    count = 1;
+  }
+
+  if (utils.isPlainObject(traits)) { //overrides
+    overrides = traits;
+    traits = null;
+  }
+
+  var self = this,
+      template = _.extend({}, self.base);
+
+  _.each([].concat(traits || []), function(name) {
+    if (!self.traits[name]) throw new Error('Unknown trait "' + name + '" for ' + self.collectionName + ' factory');
+
+    _.extend(template, self.traits[name]);
+  });
+
+  _.extend(template, overrides);
+
+  return _.times(count, function() {
+    return _evaluate(template, self.sequence++, self.random);
+  });
+};
+
+
+/**
+ * Builds one document
+ *
+ * @param {String|Array} [traits]     Name(s) of traits to apply, in order
+ * @param {Object} [overrides]        Values to override those from the base document and traits
+ * @return {Object}
+ */
+Factory.prototype.buildOne = function(traits, overrides) {
+  return this.build(1, traits, overrides)[0];
+};
+
+
+/**
+ * Builds documents in the form of fixture data, keyed by collection name, ready to be passed to load()
+ *
+ * @param {Number} [count]            Number of documents to build. Default: the count option
+ * @param {String|Array} [traits]     Name(s) of traits to apply, in order
+ * @param {Object} [overrides]        Values to override those from the base document and traits
+ * @return {Object}
+ */
+Factory.prototype.fixtures = function(count, traits, overrides) {
+  if (!_.isNumber(count)) { //traits, overrides
+    overrides = traits;
+    traits = count;
+    count = this.options.count;
+  }
+
+  var data = {};
+  data[this.collectionName] = this.build(count, traits, overrides);
+
+  return data;
+};
+
+
+/**
+ * Resets the sequence and random number generator, so the same documents are built again
+ *
+ * @return {Factory}          The factory, for chaining
+ */
+Factory.prototype.reset = function() {
+  this.sequence = this.options.startAt;
+  this.random = _createRandom(this.options.seed);
+
+  return this;
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Evaluates sequences and functions in a template
+ *
+ * @param {Mixed} value       Template value
+ * @param {Number} n          Sequence number
+ * @param {Function} random   Random number generator
+ * @return {Mixed}
+ * @api private
+ */
+var _evaluate = function(value, n, random) {
+  if (typeof value == 'string') return value.replace(/\{n\}/g, n);
+
+  if (typeof value == 'function') return value(n, random);
+
+  if (_.isArray(value)) {
+    return _.map(value, function(item) {
+      return _evaluate(item, n, random);
+    });
+  }
+
+  if (utils.isPlainObject(value)) {
+    var result = {};
+
+    _.each(value, function(child, key) {
+      result[key] = _evaluate(child, n, random);
+    });
+
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32). The returned function returns numbers
+ * between 0 (inclusive) and 1 (exclusive), and has some helpers.
+ *
+ * @param {Number} seed
+ * @return {Function}
+ * @api private
+ */
+var _createRandom = function(seed) {
+  var state = seed >>> 0;
+
+  var random = function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  /**
+   * @param {Number} min
+   * @param {Number} max
+   * @return {Number}       Integer between min and max, inclusive
+   */
+  random.int = function(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  };
+
+  /**
+   * @param {Array} items
+   * @return {Mixed}        One of the items
+   */
+  random.pick = function(items) {
+    return items[Math.floor(random() * items.length)];
+  };
+
+  /**
+   * @return {ObjectID}     An ObjectID made from random bytes
+   */
+  random.objectId = function() {
+    var hex = _.times(12, function() {
+      return ('0' + random.int(0, 255).toString(16)).slice(-2);
+    }).join('');
+
+    return new ObjectID(hex);
+  };
+
+  return random;
+};
+
+/**
+ * Hashes a string to a 32 bit number (FNV-1a), for use as a default seed
+ *
+ * @param {String} str
+ * @return {Number}
+ * @api private
+ */
+var _hash = function(str) {
+  var hash = 0x811C9DC5;
+
+  for (var i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
@@ -0,0 +1,578 @@
+//Dependencies
+var fs      = require('fs'),
+    path    = require('path'),
+    mongo   = require('mongodb'),
+    async   = require('async'),
+    yaml    = require('js-yaml'),
+    _       = require('underscore'),
+    origins = require('./origins'),
+    utils   = require('./utils');
+
+
+/**
+ * Parsers for fixture files, keyed by file extension.
+ * Each parser has the signature (file, callback(err, data)).
+ *
+ * Newline-delimited Extended JSON (.ndjson) files aren't read up front; the parser returns an NDJSONFile,
+ * which holds the documents for one collection and is read in batches when they are inserted.
+ */
+var parsers = exports.parsers = {
+  '.js': function(file, cb) {
+    _requireFile(file, cb);
+  },
+
+  '.json': function(file, cb) {
+    fs.readFile(file, 'utf8', function(err, text) {
+      if (err) return cb(err);
+
+      var data;
+      try {
+        data = exports.parseExtendedJSON(text);
+      } catch (err) {
+        return cb(_fileError(file, err));
+      }
+
+      cb(null, data);
+    });
+  },
+
+  '.yaml': function(file, cb) {
+    fs.readFile(file, 'utf8', function(err, text) {
+      if (err) return cb(err);
+
+      var data;
+      try {
+        data = exports.revive(yaml.safeLoad(text, { filename: file }));
+      } catch (err) {
+        return cb(_fileError(file, err));
+      }
+
+      cb(null, data);
+    });
+  }
+};
+
+parsers['.yml'] = parsers['.yaml'];
+
+parsers['.ndjson'] = function(file, cb) {
+  cb(null, new NDJSONFile(file));
+};
+
+
+/**
+ * Returns the parser for a file, based on its extension. Extensions that aren't known
+ * but have been registered with require() (e.g. via a compiler hook) are loaded with require().
+ *
+ * @param {String} file     File path
+ * @return {Function|null}  Parser with signature (file, callback), or null if the file type isn't supported
+ */
+exports.getParser = function(file) {
+  var ext = path.extname(file).toLowerCase();
+
+  if (!ext) return null;
+
+  if (parsers[ext]) return parsers[ext];
+
+  if (require.extensions[ext]) return _requireFile;
+
+  return null;
+};
+
+
+/**
+ * Reads a fixture file, picking the parser by file extension
+ *
+ * @param {String} file                     Full path to the file
+ * @param {Object} [options]
+ * @param {Boolean} [options.requireCache]  False to read files loaded with require() again, instead of using
+ *                                          the module cached by an earlier read. Default: true
+ * @param {Function} cb                     Callback(err, data)
+ */
+exports.parseFile = function(file, options, cb) {
+  //Normalise arguments
+  if (typeof options == 'function') { //cb
+    cb = options;
+    options = null;
+  }
+
+  var parser = exports.getParser(file);
+
+  if (!parser) return cb(new Error('Unsupported fixture file type: ' + file));
+
+  if (options && options.requireCache === false) delete require.cache[file];
+
+  parser(file, cb);
+};
+
+
+/**
+ * A newline-delimited Extended JSON file, with one document per line. The file is streamed, so only
+ * one batch of documents is held in memory at a time. Blank lines are skipped.
+ *
+ * @param {String} file     Full path to the file
+ */
+var NDJSONFile = exports.NDJSONFile = function(file) {
+  this.file = file;
+};
+
+
+/**
+ * Reads the documents in batches, waiting for each batch to be processed before reading on
+ *
+ * @param {Number} batchSize
+ * @param {Function} iterator   Called with (docs, callback) for each batch
+ * @param {Function} cb         Callback(err)
+ */
+NDJSONFile.prototype.forEachBatch = function(batchSize, iterator, cb) {
+  var file = this.file,
+      stream = fs.createReadStream(file, { encoding: 'utf8' }),
+      docs = [],
+      remainder = '',
+      lineNumber = 0,
+      finished = false;
+
+  var finish = function(err) {
+    if (finished) return;
+    finished = true;
+
+    stream.destroy();
+    cb(err);
+  };
+
+  var parseLines = function(lines) {
+    lines.forEach(function(line) {
+      lineNumber++;
+
+      if (!line.trim()) return;
+
+      var doc;
+
+      try {
+        doc = exports.parseExtendedJSON(line);
+      } catch (err) {
+        throw _fileError(file + ' line ' + lineNumber, err);
+      }
+
+      origins.set(doc, { file: file, line: lineNumber });
+      docs.push(doc);
+    });
+  };
+
+  //Passes on full batches, or everything that's left once the file has been read
+  var flush = function(all, cb) {
+    var batches = [];
+
+    while (docs.length >= batchSize || (all && docs.length)) {
+      batches.push(docs.splice(0, batchSize));
+    }
+
+    async.forEachSeries(batches, iterator, cb);
+  };
+
+  stream.on('data', function(chunk) {
+    var lines = (remainder + chunk).split('\n');
+    remainder = lines.pop();
+
+    try {
+      parseLines(lines);
+    } catch (err) {
+      return finish(err);
+    }
+
+    if (docs.length < batchSize) return;
+
+    stream.pause();
+
+    flush(false, function(err) {
+      if (err) return finish(err);
+
+      stream.resume();
+    });
+  });
+
+  stream.on('end', function() {
+    try {
+      parseLines([remainder]);
+    } catch (err) {
+      return finish(err);
+    }
+
+    flush(true, finish);
+  });
+
+  stream.on('error', finish);
+};
+
+
+/**
+ * Parses a string of MongoDB Extended JSON, in either canonical, relaxed or legacy (mongoexport) form
+ *
+ * @param {String} text
+ * @return {Mixed}
+ */
+exports.parseExtendedJSON = function(text) {
+  return exports.revive(JSON.parse(text));
+};
+
+
+/**
+ * Converts Extended JSON type wrappers such as { $oid: '...' } and { $date: '...' } in plain data
+ * to their BSON equivalents. Other values are left as they are.
+ *
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+exports.revive = function(value) {
+  if (_.isArray(value)) return _.map(value, exports.revive);
+
+  if (!utils.isPlainObject(value)) return value;
+
+  var keys = Object.keys(value);
+
+  if (keys.length && keys[0].charAt(0) == '$') {
+    var converted = _reviveType(value, keys);
+
+    if (typeof converted != 'undefined') return converted;
+  }
+
+  var result = {};
+
+  keys.forEach(function(key) {
+    result[key] = exports.revive(value[key]);
+  });
+
+  return result;
+};
+
+
+/**
+ * File extensions for each output format
+ */
+exports.extensions = {
+  js: '.js',
+  json: '.json',
+  yaml: '.yml'
+};
+
+
+/**
+ * Serializers for fixture data, keyed by format name.
+ * Each serializer has the signature (data, options) and returns the file contents as a string.
+ */
+var serializers = exports.serializers = {
+  js: function(data, options) {
+    var state = { mongo: false },
+        body = [];
+
+    _.each(data, function(docs, collectionName) {
+      body.push('exports' + _propertyAccess(collectionName) + ' = ' + _toSource(docs, '', state) + ';');
+    });
+
+    var header = ['var id = require(' + _quote(options.requirePath || 'pow-mongodb-fixtures') + ').createObjectId;'];
+
+    if (state.mongo) header.push("var mongo = require('mongodb');");
+
+    return header.join('\n') + '\n\n' + body.join('\n\n') + '\n';
+  },
+
+  json: function(data) {
+    return JSON.stringify(exports.toExtendedJSON(data), null, 2) + '\n';
+  },
+
+  yaml: function(data) {
+    return yaml.safeDump(exports.toExtendedJSON(data), { skipInvalid: true });
+  }
+};
+
+
+/**
+ * Serializes fixture data (an object keyed by collection name) in the given format
+ *
+ * @param {Object} data
+ * @param {String} format     'js', 'json' or 'yaml'
+ * @param {Object} [options]
+ * @param {String} [options.requirePath]  For 'js', the module that createObjectId is required from.
+ *                                        Default: 'pow-mongodb-fixtures'
+ * @return {String}
+ * @throws {Error}            If the format is not supported
+ */
+exports.stringify = function(data, format, options) {
+  var serializer = serializers[format];
+
+  if (!serializer) throw new Error('Unsupported fixture format: ' + format);
+
+  return serializer(data, options || {});
+};
+
+
+/**
+ * Converts BSON values such as ObjectIDs and Dates to their Extended JSON type wrappers. The reverse of revive().
+ *
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+exports.toExtendedJSON = function(value) {
+  if (_.isArray(value)) return _.map(value, exports.toExtendedJSON);
+
+  if (_.isDate(value)) return { $date: value.toISOString() };
+
+  if (_.isRegExp(value)) return { $regularExpression: { pattern: value.source, options: _regExpFlags(value) } };
+
+  if (value && value._bsontype) {
+    switch (value._bsontype) {
+      case 'ObjectID': return { $oid: value.toString() };
+      case 'Long': return { $numberLong: value.toString() };
+      case 'Decimal128': return { $numberDecimal: value.toString() };
+      case 'Double': return value.valueOf();
+      case 'Int32': return value.valueOf();
+      case 'Timestamp': return { $timestamp: { t: value.getHighBits(), i: value.getLowBits() } };
+      case 'BSONRegExp': return { $regularExpression: { pattern: value.pattern, options: value.options } };
+      case 'MinKey': return { $minKey: 1 };
+      case 'MaxKey': return { $maxKey: 1 };
+      case 'Binary':
+        var buffer = value.read(0, value.length());
+
+        if (value.sub_type == 4) return { $uuid: _formatUUID(buffer) };
+
+        return { $binary: { base64: buffer.toString('base64'), subType: _hex(value.sub_type) } };
+    }
+  }
+
+  if (!utils.isPlainObject(value)) return value;
+
+  var result = {};
+
+  _.each(value, function(child, key) {
+    result[key] = exports.toExtendedJSON(child);
+  });
+
+  return result;
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Converts a single Extended JSON type wrapper. Returns undefined if the object is not one.
+ *
+ * @param {Object} obj
+ * @param {Array} keys    The object's keys
+ * @return {Mixed}
+ * @api private
+ */
+var _reviveType = function(obj, keys) {
+  var has = function(key) {
+    return _.has(obj, key);
+  };
+
+  if (keys.length == 1) {
+    if (has('$oid')) return new mongo.ObjectID(obj.$oid);
+
+    if (has('$date')) {
+      var date = obj.$date;
+
+      if (utils.isPlainObject(date) && _.has(date, '$numberLong')) date = parseInt(date.$numberLong, 10);
+
+      return new Date(date);
+    }
+
+    if (has('$numberLong')) return mongo.Long.fromString(String(obj.$numberLong));
+
+    if (has('$numberInt')) return parseInt(obj.$numberInt, 10);
+
+    if (has('$numberDouble')) return parseFloat(obj.$numberDouble);
+
+    if (has('$numberDecimal')) return mongo.Decimal128.fromString(String(obj.$numberDecimal));
+
+    if (has('$uuid')) return new mongo.Binary(Buffer.from(obj.$uuid.replace(/-/g, ''), 'hex'), 4);
+
+    if (has('$binary') && utils.isPlainObject(obj.$binary)) {
+      return new mongo.Binary(Buffer.from(obj.$binary.base64, 'base64'), parseInt(obj.$binary.subType, 16));
+    }
+
+    if (has('$timestamp')) return new mongo.Timestamp(obj.$timestamp.i, obj.$timestamp.t);
+
+    if (has('$regularExpression')) return new mongo.BSONRegExp(obj.$regularExpression.pattern, obj.$regularExpression.options);
+
+    if (has('$minKey')) return new mongo.MinKey();
+
+    if (has('$maxKey')) return new mongo.MaxKey();
+  }
+
+  if (keys.length == 2) {
+    //Legacy (v1) binary format: { $binary: '<base64>', $type: '<hex>' }
+    if (has('$binary') && has('$type')) return new mongo.Binary(Buffer.from(obj.$binary, 'base64'), parseInt(obj.$type, 16));
+
+    if (has('$regex') && has('$options')) return new mongo.BSONRegExp(obj.$regex, obj.$options);
+  }
+};
+
+/**
+ * Loads a file with require()
+ *
+ * @param {String} file
+ * @param {Function} cb     Callback(err, data)
+ * @api private
+ */
+var _requireFile = function(file, cb) {
+  var data;
+  try {
+    data = require(file);
+  } catch (err) {
+    return cb(err);
+  }
+
+  cb(null, data);
+};
+
+/**
+ * Adds the file name to a parse error
+ *
+ * @param {String} file
+ * @param {Error} err
+ * @return {Error}
+ * @api private
+ */
+var _fileError = function(file, err) {
+  err.message = 'Error parsing ' + file + ': ' + err.message;
+
+  return err;
+};
+
+/**
+ * Converts a value to JavaScript source code for a fixture module
+ *
+ * @param {Mixed} value
+ * @param {String} indent     Current indentation
+ * @param {Object} state      Set state.mongo to true if the mongodb module is needed
+ * @return {String}
+ * @api private
+ */
+var _toSource = function(value, indent, state) {
+  var nextIndent = indent + '  ';
+
+  if (typeof value == 'undefined') return 'undefined';
+
+  if (value === null) return 'null';
+
+  if (_.isDate(value)) return 'new Date(' + _quote(value.toISOString()) + ')';
+
+  if (_.isRegExp(value)) return value.toString();
+
+  if (value._bsontype) {
+    switch (value._bsontype) {
+      case 'ObjectID': return 'id(' + _quote(value.toString()) + ')';
+      case 'Double': return String(value.valueOf());
+      case 'Int32': return String(value.valueOf());
+    }
+
+    state.mongo = true;
+
+    switch (value._bsontype) {
+      case 'Long': return 'mongo.Long.fromString(' + _quote(value.toString()) + ')';
+      case 'Decimal128': return 'mongo.Decimal128.fromString(' + _quote(value.toString()) + ')';
+      case 'Timestamp': return 'new mongo.Timestamp(' + value.getLowBits() + ', ' + value.getHighBits() + ')';
+      case 'BSONRegExp': return 'new mongo.BSONRegExp(' + _quote(value.pattern) + ', ' + _quote(value.options) + ')';
+      case 'MinKey': return 'new mongo.MinKey()';
+      case 'MaxKey': return 'new mongo.MaxKey()';
+      case 'Binary':
+        var base64 = value.read(0, value.length()).toString('base64');
+
+        return 'new mongo.Binary(Buffer.from(' + _quote(base64) + ', \'base64\'), ' + value.sub_type + ')';
+    }
+  }
+
+  if (_.isArray(value)) {
+    if (!value.length) return '[]';
+
+    return '[\n' + _.map(value, function(item) {
+      return nextIndent + _toSource(item, nextIndent, state);
+    }).join(',\n') + '\n' + indent + ']';
+  }
+
+  if (utils.isPlainObject(value)) {
+    var keys = Object.keys(value);
+
+    if (!keys.length) return '{}';
+
+    return '{\n' + _.map(keys, function(key) {
+      var name = _isIdentifier(key) ? key : _quote(key);
+
+      return nextIndent + name + ': ' + _toSource(value[key], nextIndent, state);
+    }).join(',\n') + '\n' + indent + '}';
+  }
+
+  if (typeof value == 'string') return _quote(value);
+
+  return JSON.stringify(exports.toExtendedJSON(value));
+};
+
+/**
+ * Gets the flags of a RegExp in the form MongoDB uses
+ *
+ * @param {RegExp} regExp
+ * @return {String}
+ * @api private
+ */
+var _regExpFlags = function(regExp) {
+  return (regExp.ignoreCase ? 'i' : '') + (regExp.multiline ? 'm' : '');
+};
+
+/**
+ * Formats a number as a two digit hex string
+ *
+ * @param {Number} num
+ * @return {String}
+ * @api private
+ */
+var _hex = function(num) {
+  return ('0' + num.toString(16)).slice(-2);
+};
+
+/**
+ * Formats a 16 byte buffer as a UUID string
+ *
+ * @param {Buffer} buffer
+ * @return {String}
+ * @api private
+ */
+var _formatUUID = function(buffer) {
+  var hex = buffer.toString('hex');
+
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+};
+
+/**
+ * Quotes a string for JavaScript source, using single quotes
+ *
+ * @param {String} str
+ * @return {String}
+ * @api private
+ */
+var _quote = function(str) {
+  var escaped = JSON.stringify(String(str)).slice(1, -1);
+
+  return "'" + escaped.replace(/\\"/g, '"').replace(/'/g, "\\'") + "'";
+};
+
+/**
+ * Whether a string can be used as a property name without quotes
+ *
+ * @param {String} str
+ * @return {Boolean}
+ * @api private
+ */
+var _isIdentifier = function(str) {
+  return /^[A-Za-z_$][\w$]*$/.test(str);
+};
+
+/**
+ * Gets the source code to access a property e.g. '.users' or "['users.admins']"
+ *
+ * @param {String} name
+ * @return {String}
+ * @api private
+ */
+var _propertyAccess = function(name) {
+  return _isIdentifier(name) ? '.' + name : '[' + _quote(name) + ']';
+};
@@ -0,0 +1,140 @@
+//Dependencies
+var path  = require('path'),
+    _     = require('underscore'),
+    utils = require('./utils');
+
+
+/**
+ * Where each fixture document came from, so that errors can point back to it. Documents are kept as they are,
+ * and forgotten when they are no longer used.
+ */
+var origins = new WeakMap();
+
+
+/**
+ * Records where the documents in fixture data came from. Documents that already have an origin keep it,
+ * so the file they were first read from is kept when they are prepared without it.
+ *
+ * @param {Object} data       Fixture data keyed by collection name, which can have a $db section
+ * @param {String} [file]     Path of the file the data was read from
+ */
+exports.mark = function(data, file) {
+  if (!utils.isPlainObject(data)) return;
+
+  _.each(data, function(collectionData, collectionName) {
+    if (collectionName != '$db') return _markCollection(collectionData, collectionName, file);
+
+    _.each(collectionData, function(collections, dbName) {
+      _.each(collections, function(collectionData, collectionName) {
+        _markCollection(collectionData, dbName + '.' + collectionName, file);
+      });
+    });
+  });
+};
+
+
+/**
+ * Records the origin of one document, unless it already has one
+ *
+ * @param {Object} doc
+ * @param {Object} origin     { file, collection, key, index, line }, all optional
+ */
+exports.set = function(doc, origin) {
+  if (!_.isObject(doc) || origins.has(doc)) return;
+
+  origins.set(doc, origin);
+};
+
+
+/**
+ * @param {Object} doc
+ * @return {Object|null}      The document's origin, if it is known
+ */
+exports.get = function(doc) {
+  return (_.isObject(doc) && origins.get(doc)) || null;
+};
+
+
+/**
+ * Gives a document the origin of the document it was made from, e.g. by a modifier
+ *
+ * @param {Object} from
+ * @param {Object} to
+ */
+exports.copy = function(from, to) {
+  var origin = exports.get(from);
+
+  if (origin && to !== from) exports.set(to, origin);
+};
+
+
+/**
+ * Describes an origin, e.g. 'users.alice (fixtures/users.js)', 'posts.2 (fixtures/posts.yaml)'
+ * or 'events (fixtures/events.ndjson line 3)'. Files are relative to the working directory.
+ *
+ * @param {Object} origin
+ * @return {String}
+ */
+exports.describe = function(origin) {
+  var name = origin.collection || 'Document',
+      source = origin.file ? path.relative(process.cwd(), origin.file) : '';
+
+  if (typeof origin.key != 'undefined') {
+    name += '.' + origin.key;
+  } else if (typeof origin.index != 'undefined') {
+    name += '.' + origin.index;
+  }
+
+  if (origin.line) source += ' line ' + origin.line;
+
+  return source ? name + ' (' + source + ')' : name;
+};
+
+
+/**
+ * Creates an error for a document that failed to load, with a message that starts with where it came from.
+ * The error has the origin, the original error (cause) and its code.
+ *
+ * @param {Error} err
+ * @param {Object} doc        The document, as it was read or as modified
+ * @param {String} collectionName
+ * @return {Error}
+ */
+exports.error = function(err, doc, collectionName) {
+  var origin = _.extend({ collection: collectionName }, exports.get(doc)),
+      failure = new Error(exports.describe(origin) + ': ' + err.message);
+
+  failure.origin = origin;
+  failure.cause = err;
+
+  if (typeof err.code != 'undefined') failure.code = err.code;
+
+  return failure;
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Records the origins of the documents for one collection, by array index or by key
+ *
+ * @param {Mixed} collectionData
+ * @param {String} collectionName
+ * @param {String} file
+ * @api private
+ */
+var _markCollection = function(collectionData, collectionName, file) {
+  var docs = utils.collectionDocs(collectionData),
+      keyed = utils.isPlainObject(docs);
+
+  //Factories are marked once they have built their documents, and streamed files as they are read
+  if (!_.isArray(docs) && !keyed) return;
+
+  _.each(docs, function(doc, keyOrIndex) {
+    var origin = { file: file, collection: collectionName };
+
+    origin[keyed ? 'key' : 'index'] = keyOrIndex;
+
+    exports.set(doc, _.omit(origin, _.isUndefined));
+  });
+};
@@ -0,0 +1,151 @@
+//Dependencies
+var _     = require('underscore'),
+    utils = require('./utils');
+
+
+/**
+ * Milliseconds in each unit of a duration
+ */
+var units = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+
+/**
+ * Evaluates the placeholders in a document, which work the same in all fixture formats:
+ *
+ *   { $relativeDate: '-3d' }   A Date relative to now. Durations are numbers with units (ms, s, m, h, d, w),
+ *                              e.g. '+1h', '-3d' or '-1d12h'
+ *   '${now}', '${now+1h}'      The current Date, or one relative to it
+ *   '${env.NAME}'              The value of an environment variable
+ *
+ * A string that is just one placeholder becomes its value, e.g. a Date. Placeholders inside longer strings
+ * are replaced with their value as a string, with Dates in ISO format. '$${' is a literal '${'. Other
+ * '${...}' text, e.g. '${name}' in a template, is left unchanged.
+ *
+ * Objects and arrays that contain placeholders are copied, so the original document is left unchanged.
+ *
+ * @param {Mixed} value           The document, or any value in it
+ * @param {Object} context
+ * @param {Date} context.now      The time that relative dates are relative to
+ * @param {Object} context.env    Environment variables
+ * @return {Mixed}                The value with placeholders evaluated, or the same value if it had none
+ * @throws {Error}                If a placeholder is invalid or an environment variable isn't set
+ */
+exports.resolve = function(value, context) {
+  if (typeof value == 'string') return _interpolate(value, context);
+
+  if (_.isArray(value)) return _copyIfChanged(value, [], context);
+
+  if (!utils.isPlainObject(value)) return value;
+
+  if (_.has(value, '$relativeDate') && _.size(value) == 1) {
+    return new Date(context.now.getTime() + _parseDuration(value.$relativeDate));
+  }
+
+  return _copyIfChanged(value, {}, context);
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Evaluates placeholders in the values of an array or object, copying it if any of them change
+ *
+ * @param {Array|Object} value
+ * @param {Array|Object} copy     Empty array or object to copy into
+ * @param {Object} context
+ * @return {Array|Object}         The copy, or the value if nothing changed
+ * @api private
+ */
+var _copyIfChanged = function(value, copy, context) {
+  var changed = false;
+
+  _.each(value, function(child, key) {
+    copy[key] = exports.resolve(child, context);
+
+    if (copy[key] !== child) changed = true;
+  });
+
+  return changed ? copy : value;
+};
+
+/**
+ * Evaluates the placeholders in a string
+ *
+ * @param {String} str
+ * @param {Object} context
+ * @return {Mixed}
+ * @api private
+ */
+var _interpolate = function(str, context) {
+  if (str.indexOf('${') == -1) return str;
+
+  //Just a placeholder, so keep the type of its value
+  var match = /^\$\{([^}]*)\}$/.exec(str);
+
+  if (match) return _evaluate(match[1], context);
+
+  return str.replace(/\$?\$\{([^}]*)\}/g, function(placeholder, expression) {
+    if (placeholder.slice(0, 2) == '$$') return placeholder.slice(1);
+
+    var value = _evaluate(expression, context);
+
+    return _.isDate(value) ? value.toISOString() : String(value);
+  });
+};
+
+/**
+ * Evaluates the expression in a placeholder, e.g. 'now-3d' or 'env.TENANT_ID'
+ *
+ * @param {String} expression
+ * @param {Object} context
+ * @return {Mixed}                The value, or the placeholder itself if it isn't a known one
+ * @api private
+ */
+var _evaluate = function(expression, context) {
+  var match = /^now([+-].*)?$/.exec(expression);
+
+  if (match) return new Date(context.now.getTime() + (match[1] ? _parseDuration(match[1]) : 0));
+
+  match = /^env\.(\w+)$/.exec(expression);
+
+  if (match) {
+    var value = context.env[match[1]];
+
+    if (typeof value == 'undefined') throw new Error('Environment variable ' + match[1] + ' is not set, for "${' + expression + '}"');
+
+    return value;
+  }
+
+  return '${' + expression + '}';
+};
+
+/**
+ * Parses a duration such as '-3d' or '+1h30m'
+ *
+ * @param {String} duration
+ * @return {Number}           Milliseconds
+ * @throws {Error}            If the duration is invalid
+ * @api private
+ */
+var _parseDuration = function(duration) {
+  var match = /^([+-]?)((?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+)$/.exec(String(duration).replace(/\s+/g, ''));
+
+  if (!match) throw new Error('Invalid duration "' + duration + '", expected e.g. "-3d" or "+1h30m"');
+
+  var ms = 0,
+      partRegExp = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g,
+      part;
+
+  while ((part = partRegExp.exec(match[2]))) {
+    ms += parseFloat(part[1]) * units[part[2]];
+  }
+
+  return (match[1] == '-') ? -ms : ms;
+};
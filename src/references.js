@@ -0,0 +1,236 @@
+//Dependencies
+var mongo    = require('mongodb'),
+    ObjectID = mongo.ObjectId,
+    _        = require('underscore'),
+    origins  = require('./origins'),
+    utils    = require('./utils');
+
+
+/**
+ * Resolves symbolic references between documents. The sources are left unchanged; documents and values
+ * that contain references are copied.
+ *
+ * String values of the form '@collection.key' are replaced with the _id of the document stored under
+ * that key in a keyed collection. If the document doesn't have an _id, one is generated and added to its
+ * copy, so the id only lasts for this load. '@collection.key.field.path' is replaced with the value of
+ * that field. Strings starting with '@@' are not references; the first '@' is removed.
+ *
+ * @param {Array} sources     List of fixture objects, each keyed by collection name
+ * @return {Array}            Copies of the sources with the references resolved
+ * @throws {Error}            If a reference can't be resolved
+ */
+exports.resolve = function(sources) {
+  var index = _buildIndex(sources),
+      generatedIds = new Map(),
+      resolving = [];
+
+  var resolveValue = function(value, location) {
+    if (typeof value == 'string') {
+      if (value.slice(0, 2) == '@@') return value.slice(1);
+
+      if (_isReference(value)) return resolveReference(value, location);
+
+      return value;
+    }
+
+    if (!_.isArray(value) && !utils.isPlainObject(value)) return value;
+
+    var changed = false,
+        copy = _.isArray(value) ? [] : {};
+
+    _.each(value, function(child, key) {
+      copy[key] = resolveValue(child, location);
+
+      if (copy[key] !== child) changed = true;
+    });
+
+    if (!changed) return value;
+
+    origins.copy(value, copy);
+
+    return copy;
+  };
+
+  var idOf = function(doc) {
+    if (typeof doc._id != 'undefined') return doc._id;
+
+    if (!generatedIds.has(doc)) generatedIds.set(doc, new ObjectID());
+
+    return generatedIds.get(doc);
+  };
+
+  var resolveReference = function(ref, location) {
+    var target = _findTarget(index, ref.slice(1));
+
+    if (!target) {
+      throw new Error('Unresolved reference "' + ref + '" in ' + location + ': no matching keyed document was found');
+    }
+
+    var doc = target.doc;
+
+    //Reference to the document itself
+    if (!target.field || target.field == '_id') {
+      return resolveValue(idOf(doc), target.location);
+    }
+
+    if (_.contains(resolving, ref)) {
+      throw new Error('Circular reference "' + ref + '" in ' + location);
+    }
+
+    var value = utils.getPath(doc, target.field);
+
+    if (typeof value == 'undefined') {
+      throw new Error('Unresolved reference "' + ref + '" in ' + location + ': ' + target.location + ' has no field "' + target.field + '"');
+    }
+
+    resolving.push(ref);
+    value = resolveValue(value, target.location);
+    resolving.pop();
+
+    return value;
+  };
+
+  var resolved = _.map(sources, function(source) {
+    return _.mapObject(source, function(collectionData, collectionName) {
+      var docs = utils.collectionDocs(collectionData);
+
+      //e.g. streamed files, which are read when loading
+      if (!_.isArray(docs) && !utils.isPlainObject(docs)) return collectionData;
+
+      return (_.isArray(docs) ? _.map : _.mapObject)(docs, function(doc, key) {
+        return { doc: doc, resolved: resolveValue(doc, collectionName + '.' + key) };
+      });
+    });
+  });
+
+  //Ids are generated as references are found, so they are added once all documents are resolved
+  return _.map(resolved, function(source, i) {
+    return _.mapObject(source, function(docs, collectionName) {
+      var collectionData = sources[i][collectionName];
+
+      if (docs === collectionData) return docs;
+
+      var withIds = (_.isArray(docs) ? _.map : _.mapObject)(docs, function(entry) {
+        if (!generatedIds.has(entry.doc)) return entry.resolved;
+
+        var copy = _.extend({ _id: generatedIds.get(entry.doc) }, entry.resolved);
+
+        origins.copy(entry.doc, copy);
+
+        return copy;
+      });
+
+      if (!utils.isCollectionSpec(collectionData)) return withIds;
+
+      return _.extend({}, collectionData, { docs: withIds });
+    });
+  });
+};
+
+
+/**
+ * Finds the collections that each collection refers to with '@collection.key' references. References
+ * within a collection, and those that can't be resolved, are left out.
+ *
+ * @param {Array} sources     List of fixture objects, each keyed by collection name
+ * @return {Object}           Names of the referenced collections, keyed by collection name
+ */
+exports.dependencies = function(sources) {
+  var index = _buildIndex(sources),
+      dependencies = {};
+
+  var findReferences = function(value, collectionName) {
+    if (typeof value == 'string') {
+      if (value.slice(0, 2) == '@@' || !_isReference(value)) return;
+
+      var target = _findTarget(index, value.slice(1));
+
+      if (target && target.collectionName != collectionName) {
+        dependencies[collectionName] = _.union(dependencies[collectionName] || [], [target.collectionName]);
+      }
+
+      return;
+    }
+
+    if (_.isArray(value) || utils.isPlainObject(value)) {
+      _.each(value, function(child) {
+        findReferences(child, collectionName);
+      });
+    }
+  };
+
+  sources.forEach(function(source) {
+    _.each(source, function(docs, collectionName) {
+      findReferences(utils.collectionDocs(docs), collectionName);
+    });
+  });
+
+  return dependencies;
+};
+
+
+//PRIVATE METHODS
+
+/**
+ * Whether a string is in the form of a reference, e.g. '@users.user1'
+ *
+ * @param {String} value
+ * @return {Boolean}
+ * @api private
+ */
+var _isReference = function(value) {
+  return /^@[\w$-]+(\.[\w$-]+)+$/.test(value);
+};
+
+/**
+ * Indexes keyed documents by collection name and key
+ *
+ * @param {Array} sources
+ * @return {Object}         { collectionName: { key: doc } }
+ * @api private
+ */
+var _buildIndex = function(sources) {
+  var index = {};
+
+  sources.forEach(function(source) {
+    _.each(source, function(docs, collectionName) {
+      docs = utils.collectionDocs(docs);
+
+      if (!utils.isPlainObject(docs)) return;
+
+      index[collectionName] = _.extend(index[collectionName] || {}, docs);
+    });
+  });
+
+  return index;
+};
+
+/**
+ * Finds the document a reference path (without the '@') points to. As collection names may contain
+ * dots, the longest collection name that has a document with the following key is used.
+ *
+ * @param {Object} index
+ * @param {String} refPath    e.g. 'users.user1.email'
+ * @return {Object|null}      { doc, field, location, collectionName }
+ * @api private
+ */
+var _findTarget = function(index, refPath) {
+  var parts = refPath.split('.');
+
+  for (var i = parts.length - 1; i > 0; i--) {
+    var collectionName = parts.slice(0, i).join('.'),
+        key = parts[i],
+        docs = index[collectionName];
+
+    if (docs && _.has(docs, key)) {
+      return {
+        doc: docs[key],
+        field: parts.slice(i + 1).join('.'),
+        location: collectionName + '.' + key,
+        collectionName: collectionName
+      };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,60 @@
+//Dependencies
+var _ = require('underscore');
+
+
+/**
+ * Whether a value is an object literal, as opposed to an array, BSON type, Date etc.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ */
+exports.isPlainObject = function(value) {
+  if (!value || typeof value != 'object') return false;
+
+  var proto = Object.getPrototypeOf(value);
+
+  return proto === Object.prototype || proto === null;
+};
+
+
+/**
+ * Gets a value from an object with a dot separated path e.g. 'address.city'
+ *
+ * @param {Object} obj
+ * @param {String} fieldPath
+ * @return {Mixed}            The value, or undefined if the path doesn't exist
+ */
+exports.getPath = function(obj, fieldPath) {
+  return _.reduce(fieldPath.split('.'), function(value, key) {
+    if (value === null || typeof value == 'undefined') return undefined;
+
+    return value[key];
+  }, obj);
+};
+
+
+/**
+ * Whether the fixture data for a collection is in the form that declares indexes, collection options
+ * and dependencies: { $indexes: [...], $options: {...}, $dependsOn: [...], docs: [...] or {...} }.
+ * $references, the collections referred to by the documents, is added when the data is prepared.
+ *
+ * @param {Mixed} value       Fixture data for one collection
+ * @return {Boolean}
+ */
+exports.isCollectionSpec = function(value) {
+  return exports.isPlainObject(value) && _.some(['$indexes', '$options', '$dependsOn', '$references'], _.partial(_.has, value));
+};
+
+
+/**
+ * Gets the documents from the fixture data for a collection, which may be an array, a keyed object,
+ * or the form that declares indexes, options and dependencies (see isCollectionSpec())
+ *
+ * @param {Mixed} value       Fixture data for one collection
+ * @return {Array|Object}
+ */
+exports.collectionDocs = function(value) {
+  if (exports.isCollectionSpec(value)) return value.docs || [];
+
+  return value;
+};
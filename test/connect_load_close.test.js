@@ -9,3 +9,12 @@ exports['closeDb'] = function(test) {
 		});
 	});
 };
+
+exports['closeDb with promises'] = function(test) {
+	var db = fixtures.connect(dbName);
+	db.load({}).then(function() {
+		return db.close();
+	}).then(function() {
+		test.done();
+	}, test.done);
+};
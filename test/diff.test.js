@@ -0,0 +1,96 @@
+//Nodeunit tests
+
+var diff = require('../src/diff.js'),
+	id = require('../src/index.js').createObjectId,
+	_ = require('underscore');
+
+
+exports['compare'] = {
+	'exact matches in any order': function(test) {
+		var aliceId = id(),
+			bobId = id();
+
+		var result = diff.compare(
+			[{ _id: bobId, name: 'Bob' }, { _id: aliceId, name: 'Alice', joined: new Date(0) }],
+			[{ _id: id(aliceId), name: 'Alice', joined: new Date(0) }, { _id: id(bobId), name: 'Bob' }]
+		);
+
+		test.same(result, { ok: true, missing: [], extra: [], changed: [] });
+
+		test.done();
+	},
+
+	'missing, extra and changed documents': function(test) {
+		var aliceId = id(),
+			expected = [{ _id: aliceId, name: 'Alice', address: { city: 'Springfield', zip: '1' } }, { name: 'Carol' }],
+			actual = [{ _id: aliceId, name: 'Alice', address: { city: 'Shelbyville', zip: '1' }, age: 30 }, { name: 'Dave' }];
+
+		var result = diff.compare(expected, actual);
+
+		test.same(result.ok, false);
+		test.same(result.missing, [{ name: 'Carol' }]);
+		test.same(result.extra, [{ name: 'Dave' }]);
+		test.same(result.changed.length, 1);
+		test.same(result.changed[0].fields, ['address.city', 'age']);
+		test.strictEqual(result.changed[0].expected, expected[0]);
+		test.strictEqual(result.changed[0].actual, actual[0]);
+
+		test.done();
+	},
+
+	'subset': function(test) {
+		var actual = [{ _id: id(), name: 'Alice', age: 30 }, { _id: id(), name: 'Bob' }];
+
+		test.same(diff.compare([{ name: 'Alice' }], actual, { mode: 'subset' }).ok, true);
+
+		var result = diff.compare([{ name: 'Alice', age: 31 }, { name: 'Carol' }], actual, { mode: 'subset', keys: ['name'] });
+
+		test.same(result.missing, [{ name: 'Carol' }]);
+		test.same(result.extra, []);
+		test.same(result.changed[0].fields, ['age']);
+
+		test.done();
+	},
+
+	'ignoreFields': function(test) {
+		var actual = [{ _id: id(), name: 'Alice', meta: { updatedAt: new Date() } }];
+
+		test.same(diff.compare([{ name: 'Alice', meta: {} }], actual, { mode: 'ignoreFields', ignoreFields: ['_id', 'meta.updatedAt'] }).ok, true);
+		test.same(diff.compare([{ name: 'Alice', meta: {} }], actual, { mode: 'ignoreFields', keys: ['name'] }).changed[0].fields, ['meta.updatedAt']);
+
+		//Without an _id, the expected document can't be the same as one with an _id
+		var result = diff.compare([{ name: 'Alice', meta: {} }], actual);
+
+		test.same(result.missing.length, 1);
+		test.same(result.extra.length, 1);
+
+		test.done();
+	},
+
+	'unknown mode': function(test) {
+		test.throws(function() {
+			diff.compare([], [], { mode: 'fuzzy' });
+		}, /Unknown verify mode "fuzzy"/);
+
+		test.done();
+	}
+};
+
+
+exports['format'] = function(test) {
+	var text = diff.format({
+		users: diff.compare([{ name: 'Alice', age: 31 }, { name: 'Carol' }], [{ name: 'Alice', age: 30 }], { keys: ['name'] }),
+		posts: diff.compare([], [])
+	});
+
+	test.same(text.split('\n'), [
+		'users: 1 missing, 0 extra, 1 changed',
+		'  - missing: {"name":"Carol"}',
+		'  - changed (age):',
+		'      expected: {"name":"Alice","age":31}',
+		'      actual:   {"name":"Alice","age":30}',
+		'posts: OK'
+	]);
+
+	test.done();
+};
@@ -0,0 +1,112 @@
+//Nodeunit tests
+
+var fixtures = require('../src/index.js'),
+	Factory = fixtures.Factory,
+	_ = require('underscore');
+
+
+exports['factory'] = {
+	'returns a Factory': function(test) {
+		var users = fixtures.factory('users', { name: 'User' });
+
+		test.ok(users instanceof Factory);
+		test.same(users.collectionName, 'users');
+
+		test.done();
+	},
+
+	'build with sequences': function(test) {
+		var users = fixtures.factory('users', {
+			email: 'user-{n}@example.com',
+			profile: { handle: '@user{n}' },
+			tags: ['tag{n}']
+		});
+
+		var docs = users.build(3);
+
+		test.same(_.pluck(docs, 'email'), ['user-1@example.com', 'user-2@example.com', 'user-3@example.com']);
+		test.same(docs[1].profile, { handle: '@user2' });
+		test.same(docs[2].tags, ['tag3']);
+
+		//Sequence continues
+		test.same(users.buildOne().email, 'user-4@example.com');
+
+		test.done();
+	},
+
+	'functions are called with the sequence number and random generator': function(test) {
+		var users = fixtures.factory('users', {
+			n: function(n) { return n * 10; },
+			age: function(n, random) { return random.int(20, 60); },
+			role: function(n, random) { return random.pick(['a', 'b']); },
+			_id: function(n, random) { return random.objectId(); }
+		}, { startAt: 5 });
+
+		var doc = users.buildOne();
+
+		test.same(doc.n, 50);
+		test.ok(doc.age >= 20 && doc.age <= 60);
+		test.ok(_.contains(['a', 'b'], doc.role));
+		test.same(doc._id.constructor.name, 'ObjectID');
+
+		test.done();
+	},
+
+	'is deterministic given a seed': function(test) {
+		var base = {
+			score: function(n, random) { return random(); },
+			_id: function(n, random) { return random.objectId().toString(); }
+		};
+
+		var a = fixtures.factory('users', base, { seed: 42 }).build(5),
+			b = fixtures.factory('users', base, { seed: 42 }).build(5),
+			c = fixtures.factory('users', base, { seed: 43 }).build(5);
+
+		test.same(a, b);
+		test.notDeepEqual(a, c);
+
+		var users = fixtures.factory('users', base);
+
+		test.same(users.build(5), users.reset().build(5));
+
+		test.done();
+	},
+
+	'traits and overrides': function(test) {
+		var users = fixtures.factory('users', { name: 'User {n}', role: 'member', active: true }, {
+			traits: { admin: { role: 'admin' } }
+		}).trait('inactive', { active: false });
+
+		test.same(users.buildOne('admin'), { name: 'User 1', role: 'admin', active: true });
+		test.same(users.buildOne(['admin', 'inactive']), { name: 'User 2', role: 'admin', active: false });
+		test.same(users.buildOne({ name: 'Boss {n}' }), { name: 'Boss 3', role: 'member', active: true });
+		test.same(users.build(2, 'inactive', { role: 'guest' })[1], { name: 'User 5', role: 'guest', active: false });
+
+		test.throws(function() {
+			users.build(1, 'owner');
+		}, /Unknown trait "owner" for users factory/);
+
+		test.done();
+	},
+
+	'fixtures': function(test) {
+		var users = fixtures.factory('users', { name: 'User {n}' }, { count: 2 });
+
+		test.same(users.fixtures(), { users: [{ name: 'User 1' }, { name: 'User 2' }] });
+		test.same(users.fixtures(1, { name: 'Admin' }), { users: [{ name: 'Admin' }] });
+
+		test.done();
+	},
+
+	'documents are not shared between builds': function(test) {
+		var users = fixtures.factory('users', { profile: { name: 'User' } });
+
+		var docs = users.build(2);
+		docs[0].profile.name = 'Changed';
+
+		test.same(docs[1].profile.name, 'User');
+		test.same(users.buildOne().profile.name, 'User');
+
+		test.done();
+	}
+};
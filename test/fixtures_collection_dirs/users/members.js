@@ -0,0 +1,4 @@
+module.exports = {
+	lana: { name: 'Lana' },
+	cheryl: { name: 'Cheryl', friend: '@users.lana' }
+};
@@ -0,0 +1,6 @@
+var factory = require('../../src/index.js').factory;
+
+exports.users = factory('users', {
+	name: 'User {n}',
+	email: 'user-{n}@example.com'
+}, { count: 3 });
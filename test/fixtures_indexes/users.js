@@ -0,0 +1,12 @@
+exports.users = {
+	$indexes: [
+		{ key: { email: 1 }, unique: true },
+		{ key: { createdAt: 1 }, expireAfterSeconds: 3600 }
+	],
+	$options: {
+		validator: { email: { $exists: true } }
+	},
+	docs: {
+		sterling: { email: 'sterling@isis.com', name: 'Sterling' }
+	}
+};
@@ -0,0 +1,4 @@
+exports.users = [
+	{ name: 'Sterling' },
+	{ name: 'Lana' }
+];
@@ -0,0 +1,3 @@
+exports.posts = [
+	{ title: 'Hello', author: '@users.alice' }
+];
@@ -0,0 +1,3 @@
+exports.posts = [
+	{ title: 'Demo post', author: '@users.dave' }
+];
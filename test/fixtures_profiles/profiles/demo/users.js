@@ -0,0 +1,13 @@
+exports.users = {
+	//Replaced
+	alice: { name: 'Alice Demo', role: 'admin' },
+
+	//Removed
+	bob: null,
+
+	//Fields changed
+	carol: { $merge: { role: 'admin' } },
+
+	//Added
+	dave: { name: 'Dave', role: 'member' }
+};
@@ -0,0 +1,5 @@
+exports.users = {
+	alice: { name: 'Alice', role: 'admin' },
+	bob: { name: 'Bob', role: 'member' },
+	carol: { name: 'Carol', role: 'member' }
+};
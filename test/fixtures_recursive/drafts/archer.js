@@ -0,0 +1,3 @@
+exports.archer = [
+	{ name: 'Barry' }
+];
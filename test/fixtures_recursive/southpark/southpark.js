@@ -0,0 +1,4 @@
+exports.southpark = [
+	{ name: 'Eric' },
+	{ name: 'Kenny' }
+];
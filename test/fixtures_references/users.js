@@ -0,0 +1,6 @@
+var id = require('../../src/index.js').createObjectId;
+
+exports.users = {
+	sterling: { _id: id('4ed2b809d7446b9a0e000014'), name: 'Sterling', email: 'sterling@isis.com' },
+	lana: { name: 'Lana', partner: '@users.sterling' }
+};
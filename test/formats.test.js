@@ -0,0 +1,276 @@
+//Nodeunit tests
+
+var formats = require('../src/formats.js'),
+	mongo = require('mongodb'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	_ = require('underscore');
+
+var dir = path.join(__dirname, 'fixtures_formats'),
+	ndjsonDir = path.join(__dirname, 'fixtures_ndjson');
+
+
+exports['getParser'] = {
+	'picks parsers by extension': function(test) {
+		test.same(formats.getParser('a/users.js'), formats.parsers['.js']);
+		test.same(formats.getParser('a/users.json'), formats.parsers['.json']);
+		test.same(formats.getParser('a/users.yaml'), formats.parsers['.yaml']);
+		test.same(formats.getParser('a/users.YML'), formats.parsers['.yaml']);
+		test.same(formats.getParser('a/events.ndjson'), formats.parsers['.ndjson']);
+
+		test.done();
+	},
+
+	'returns null for unknown files': function(test) {
+		test.same(formats.getParser('a/README.md'), null);
+		test.same(formats.getParser('a/.gitkeep'), null);
+		test.same(formats.getParser('a/Makefile'), null);
+
+		test.done();
+	}
+};
+
+
+exports['parseExtendedJSON'] = {
+	'converts type wrappers': function(test) {
+		var data = formats.parseExtendedJSON(JSON.stringify({
+			id: { $oid: '4ed2b809d7446b9a0e000014' },
+			date: { $date: '2011-11-28T00:00:00.000Z' },
+			legacyDate: { $date: 1322438400000 },
+			long: { $numberLong: '9007199254740993' },
+			int: { $numberInt: '42' },
+			decimal: { $numberDecimal: '1.10' },
+			uuid: { $uuid: '3b241101-e2bb-4255-8caf-4136c566a962' },
+			binary: { $binary: { base64: 'aGVsbG8=', subType: '00' } },
+			legacyBinary: { $binary: 'aGVsbG8=', $type: '80' },
+			nested: [{ id: { $oid: '4ed2b809d7446b9a0e000015' } }]
+		}));
+
+		test.ok(data.id instanceof mongo.ObjectID);
+		test.same(data.id.toString(), '4ed2b809d7446b9a0e000014');
+		test.ok(data.date instanceof Date);
+		test.same(data.date.getTime(), 1322438400000);
+		test.same(data.legacyDate.getTime(), 1322438400000);
+		test.ok(data.long instanceof mongo.Long);
+		test.same(data.long.toString(), '9007199254740993');
+		test.same(data.int, 42);
+		test.ok(data.decimal instanceof mongo.Decimal128);
+		test.same(data.decimal.toString(), '1.10');
+		test.same(data.uuid.sub_type, 4);
+		test.same(data.uuid.buffer.toString('hex'), '3b241101e2bb42558caf4136c566a962');
+		test.same(data.binary.buffer.toString(), 'hello');
+		test.same(data.binary.sub_type, 0);
+		test.same(data.legacyBinary.sub_type, 0x80);
+		test.same(data.nested[0].id.toString(), '4ed2b809d7446b9a0e000015');
+
+		test.done();
+	},
+
+	'leaves other objects alone': function(test) {
+		var data = formats.parseExtendedJSON('{ "a": { "$set": 1, "b": 2 }, "c": { "$oid": "x", "d": 1 } }');
+
+		test.same(data, { a: { $set: 1, b: 2 }, c: { $oid: 'x', d: 1 } });
+
+		test.done();
+	}
+};
+
+
+exports['parseFile'] = {
+	'json': function(test) {
+		formats.parseFile(dir + '/users.json', function(err, data) {
+			if (err) return test.done(err);
+
+			test.same(data.users.sterling.name, 'Sterling');
+			test.ok(data.users.sterling._id instanceof mongo.ObjectID);
+			test.ok(data.users.lana.born instanceof Date);
+
+			test.done();
+		});
+	},
+
+	'yaml': function(test) {
+		formats.parseFile(dir + '/posts.yaml', function(err, data) {
+			if (err) return test.done(err);
+
+			test.same(data.posts.length, 2);
+			test.same(data.posts[0].author.toString(), '4ed2b809d7446b9a0e000014');
+			test.same(data.posts[1].text, 'Phrasing');
+
+			test.done();
+		});
+	},
+
+	'js files can be read again without the require cache': function(test) {
+		var file = path.join(os.tmpdir(), 'pow-mongodb-fixtures-changed.js');
+
+		fs.writeFileSync(file, 'exports.users = [{ name: "Sterling" }];');
+
+		formats.parseFile(file, function(err, data) {
+			if (err) return test.done(err);
+
+			fs.writeFileSync(file, 'exports.users = [{ name: "Lana" }];');
+
+			formats.parseFile(file, function(err, cached) {
+				if (err) return test.done(err);
+
+				test.strictEqual(cached, data);
+
+				formats.parseFile(file, { requireCache: false }, function(err, fresh) {
+					if (err) return test.done(err);
+
+					test.same(fresh.users[0].name, 'Lana');
+
+					fs.unlinkSync(file);
+					test.done();
+				});
+			});
+		});
+	},
+
+	'unsupported file types': function(test) {
+		formats.parseFile(dir + '/README.md', function(err) {
+			test.ok(/Unsupported fixture file type/.test(err.message));
+
+			test.done();
+		});
+	},
+
+	'invalid files': function(test) {
+		formats.parseFile(__dirname + '/../package.json/missing.json', function(err) {
+			test.ok(err);
+
+			test.done();
+		});
+	}
+};
+
+
+exports['NDJSONFile'] = {
+	'parseFile returns the file, to be read later': function(test) {
+		formats.parseFile(ndjsonDir + '/events.ndjson', function(err, data) {
+			if (err) return test.done(err);
+
+			test.ok(data instanceof formats.NDJSONFile);
+			test.same(data.file, ndjsonDir + '/events.ndjson');
+
+			test.done();
+		});
+	},
+
+	'reads documents in batches': function(test) {
+		var batches = [];
+
+		new formats.NDJSONFile(ndjsonDir + '/events.ndjson').forEachBatch(2, function(docs, cb) {
+			batches.push(docs);
+
+			setTimeout(cb, 1);
+		}, function(err) {
+			if (err) return test.done(err);
+
+			test.same(_.map(batches, _.size), [2, 2, 1]);
+			test.same(_.pluck(_.flatten(batches), 'type'), ['login', 'logout', 'login', 'purchase', 'logout']);
+			test.ok(batches[0][0]._id instanceof mongo.ObjectID);
+			test.ok(batches[0][0].at instanceof Date);
+			test.ok(batches[1][1].amount instanceof mongo.Decimal128);
+
+			test.done();
+		});
+	},
+
+	'stops on iterator errors': function(test) {
+		var calls = 0;
+
+		new formats.NDJSONFile(ndjsonDir + '/events.ndjson').forEachBatch(1, function(docs, cb) {
+			calls++;
+
+			cb(new Error('Failed'));
+		}, function(err) {
+			test.same(err.message, 'Failed');
+			test.same(calls, 1);
+
+			test.done();
+		});
+	},
+
+	'invalid lines give an error with the line number': function(test) {
+		var file = path.join(os.tmpdir(), 'pow-mongodb-fixtures-invalid.ndjson');
+
+		fs.writeFileSync(file, '{"type": "login"}\n{"type": oops}\n');
+
+		new formats.NDJSONFile(file).forEachBatch(10, function(docs, cb) {
+			cb();
+		}, function(err) {
+			fs.unlinkSync(file);
+
+			test.ok(/^Error parsing .*invalid\.ndjson line 2: /.test(err.message));
+
+			test.done();
+		});
+	}
+};
+
+
+exports['stringify'] = {
+	setUp: function(done) {
+		this.data = {
+			users: {
+				sterling: {
+					_id: new mongo.ObjectID('4ed2b809d7446b9a0e000014'),
+					name: 'Sterling',
+					born: new Date('1975-06-01T00:00:00Z'),
+					missions: mongo.Long.fromString('9007199254740993'),
+					uuid: new mongo.Binary(Buffer.from('3b241101e2bb42558caf4136c566a962', 'hex'), 4)
+				}
+			}
+		};
+
+		done();
+	},
+
+	'json round trips through parseExtendedJSON': function(test) {
+		var data = formats.parseExtendedJSON(formats.stringify(this.data, 'json')),
+			sterling = data.users.sterling;
+
+		test.same(sterling._id.toString(), '4ed2b809d7446b9a0e000014');
+		test.same(sterling.born.getTime(), this.data.users.sterling.born.getTime());
+		test.same(sterling.missions.toString(), '9007199254740993');
+		test.same(sterling.uuid.sub_type, 4);
+
+		test.done();
+	},
+
+	'yaml uses extended json type wrappers': function(test) {
+		var text = formats.stringify(this.data, 'yaml');
+
+		test.ok(/\$oid: 4ed2b809d7446b9a0e000014/.test(text));
+		test.ok(/\$uuid: 3b241101-e2bb-4255-8caf-4136c566a962/.test(text));
+
+		test.done();
+	},
+
+	'js': function(test) {
+		var text = formats.stringify(this.data, 'js');
+
+		test.ok(/^var id = require\('pow-mongodb-fixtures'\)\.createObjectId;/.test(text));
+		test.ok(/^var id = require\('\.\.\/lib\/fixtures'\)\.createObjectId;/.test(formats.stringify(this.data, 'js', { requirePath: '../lib/fixtures' })));
+		test.ok(/var mongo = require\('mongodb'\);/.test(text));
+		test.ok(/exports\.users = \{/.test(text));
+		test.ok(/_id: id\('4ed2b809d7446b9a0e000014'\)/.test(text));
+		test.ok(/born: new Date\('1975-06-01T00:00:00.000Z'\)/.test(text));
+		test.ok(/missions: mongo\.Long\.fromString\('9007199254740993'\)/.test(text));
+
+		test.done();
+	},
+
+	'unsupported formats': function(test) {
+		var data = this.data;
+
+		test.throws(function() {
+			formats.stringify(data, 'xml');
+		}, /Unsupported fixture format: xml/);
+
+		test.done();
+	}
+};